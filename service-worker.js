@@ -0,0 +1,142 @@
+// Service worker: keeps the journal working without a network.
+// - The app shell (page, script, styles, the vendored libraries and icons) is cached when the
+//   worker installs. It is fetched from the network first, so a changed file is used (and cached)
+//   on the next load; the cache is only the offline fallback. A release changes CACHE_VERSION, so
+//   the browser installs a new worker; it waits until the page asks it to take over
+//   ("skip-waiting"), which the page does when the user accepts the update banner.
+// - Templates (templates.json and the SVG files it lists) are served from the cache and refreshed
+//   from the network in the background. When one has changed, open pages are told
+//   ("templates-updated") so they can offer a reload.
+// Days, history and uploaded templates live in IndexedDB and are never touched here.
+
+const CACHE_VERSION = '1.2.0'; // Bump with every release (keep in step with APP_VERSION in script.js)
+const SHELL_CACHE = `mood-journal-shell-${CACHE_VERSION}`;
+const TEMPLATE_CACHE = 'mood-journal-templates'; // Not versioned: templates update on their own
+const TEMPLATE_MANIFEST_URL = 'templates.json';
+const APP_SHELL = [
+    './',
+    'index.html',
+    'script.js',
+    'style.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/apple-touch-icon.png',
+    'vendor/paper-full.min.js',
+    'vendor/pickr.min.js',
+    'vendor/classic.min.css'
+];
+
+/**
+ * Caches the template manifest and every template it lists.
+ * @param {Response} [manifestResponse] - An already fetched manifest; fetched if left out.
+ * @returns {Promise<void>}
+ */
+async function cacheTemplates(manifestResponse) {
+    const cache = await caches.open(TEMPLATE_CACHE);
+    const response = manifestResponse || await fetch(TEMPLATE_MANIFEST_URL, { cache: 'no-cache' });
+    if (!response.ok) throw new Error(`${TEMPLATE_MANIFEST_URL}: HTTP ${response.status}`);
+    const manifest = await response.clone().json();
+    await cache.put(TEMPLATE_MANIFEST_URL, response);
+    const files = (Array.isArray(manifest.templates) ? manifest.templates : [])
+        .map(entry => entry && entry.id)
+        .filter(id => typeof id === 'string' && id);
+    await cache.addAll(files);
+}
+
+/**
+ * Checks whether a request is for a template or the template manifest.
+ * @param {URL} url - The request URL.
+ * @returns {boolean} True for templates.json and SVG files next to index.html.
+ */
+function isTemplateRequest(url) {
+    const path = url.pathname.slice(new URL(self.registration.scope).pathname.length);
+    return path === TEMPLATE_MANIFEST_URL || (/\.svg$/i.test(path) && !path.includes('/'));
+}
+
+/**
+ * Tells every open page about something (e.g. updated templates).
+ * @param {Object} message - The message.
+ */
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
+
+/**
+ * Serves a template from the cache while fetching a fresh copy. If the fresh copy differs,
+ * it replaces the cached one (a changed manifest also caches newly listed templates) and the
+ * pages are told new templates are ready.
+ * @param {FetchEvent} event - The fetch event.
+ * @returns {Promise<Response>} The cached template, or the network's if none is cached.
+ */
+async function serveTemplate(event) {
+    const url = new URL(event.request.url);
+    const key = url.origin + url.pathname; // Query strings don't make a different template
+    const cache = await caches.open(TEMPLATE_CACHE);
+    const cached = await cache.match(key);
+    const cachedText = cached ? await cached.clone().text() : null;
+    const refresh = fetch(key, { cache: 'no-cache' }).then(async response => {
+        if (!response.ok) return response;
+        const text = await response.clone().text();
+        if (text !== cachedText) {
+            if (url.pathname.endsWith(TEMPLATE_MANIFEST_URL)) {
+                await cacheTemplates(response.clone());
+            } else {
+                await cache.put(key, response.clone());
+            }
+            if (cachedText !== null) await notifyClients({ type: 'templates-updated' });
+        }
+        return response;
+    });
+    if (!cached) return refresh;
+    event.waitUntil(refresh.catch(error => console.warn(`Could not refresh ${url.pathname}:`, error)));
+    return cached;
+}
+
+/**
+ * Serves the app shell from the network, keeping the cached copy up to date; offline, the
+ * cached copy is served. Page loads (with any query string, e.g. "?test=1") use index.html.
+ * @param {Request} request - The request.
+ * @returns {Promise<Response>} The response.
+ */
+async function serveShell(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const key = request.mode === 'navigate' ? 'index.html' : request;
+    try {
+        const response = await fetch(request);
+        if (response.ok && await cache.match(key)) await cache.put(key, response.clone()); // Only shell files are cached
+        return response;
+    } catch (error) {
+        const cached = await cache.match(key);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(SHELL_CACHE)
+        .then(cache => cache.addAll(APP_SHELL))
+        .then(() => cacheTemplates()));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith('mood-journal-shell-') && key !== SHELL_CACHE)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'skip-waiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return; // Everything the app needs is same-origin
+    event.respondWith(isTemplateRequest(url) ? serveTemplate(event) : serveShell(request));
+});
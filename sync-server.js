@@ -0,0 +1,179 @@
+// Reference sync server for the journal: stores day records and uploaded templates as JSON files
+// and hands them back to every device. It never merges anything itself; each PUT must name the
+// revision it is based on, and a stale one gets 409 with the current copy so the app can merge
+// and try again. See "Sync (Self-Hosted Endpoint)" in script.js for the protocol.
+//
+// Usage: npm run sync-server [-- --port 8787 --data ./sync-data]
+//   SYNC_TOKEN=secret npm run sync-server   (then requests need "Authorization: Bearer secret")
+// Meant for a home network or behind an HTTPS reverse proxy; it has no TLS of its own.
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_DATA_DIR = path.join(__dirname, 'sync-data');
+const MAX_BODY_BYTES = 5 * 1024 * 1024; // A day with thousands of strokes stays well below this
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TEMPLATE_ID_PATTERN = /^[\w:.-]{1,100}$/;
+
+/**
+ * Reads a JSON file.
+ * @param {string} filePath - The file.
+ * @returns {Object|null} The parsed content, or null if the file doesn't exist.
+ */
+function readJSONFile(filePath) {
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+}
+
+/**
+ * Writes a JSON file through a temporary file, so a crash never leaves half a record.
+ * @param {string} filePath - The file.
+ * @param {Object} data - The content.
+ */
+function writeJSONFile(filePath, data) {
+    const temporaryPath = `${filePath}.tmp`;
+    fs.writeFileSync(temporaryPath, JSON.stringify(data));
+    fs.renameSync(temporaryPath, filePath);
+}
+
+/**
+ * Reads a request's JSON body.
+ * @param {http.IncomingMessage} request - The request.
+ * @returns {Promise<Object>} The parsed body.
+ */
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request body too large.'), { status: 413 }));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (e) {
+                reject(Object.assign(new Error('The body is not valid JSON.'), { status: 400 }));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Creates the sync server (not yet listening).
+ * @param {Object} options - Options.
+ * @param {string} options.dataDir - Where days and templates are stored.
+ * @param {string} [options.token] - Bearer token required on every request, if set.
+ * @returns {http.Server} The server.
+ */
+function createSyncServer({ dataDir, token }) {
+    const daysDir = path.join(dataDir, 'days');
+    const templatesDir = path.join(dataDir, 'templates');
+    fs.mkdirSync(daysDir, { recursive: true });
+    fs.mkdirSync(templatesDir, { recursive: true });
+    const dayFile = dateKey => path.join(daysDir, `${dateKey}.json`);
+    const templateFile = id => path.join(templatesDir, `${encodeURIComponent(id)}.json`);
+
+    /**
+     * Answers one request. The file operations after the body is read are synchronous, so two
+     * PUTs of the same day can't interleave between the revision check and the write.
+     * @returns {Promise<{status: number, body: Object}>} The response.
+     */
+    async function handle(request, segments) {
+        const [collection, rawId] = segments;
+        const id = rawId === undefined ? undefined : decodeURIComponent(rawId);
+        if (collection === 'days' && id === undefined && request.method === 'GET') {
+            const days = {};
+            fs.readdirSync(daysDir).filter(name => name.endsWith('.json')).forEach(name => {
+                days[name.slice(0, -5)] = readJSONFile(path.join(daysDir, name)).revision;
+            });
+            return { status: 200, body: { days: days } };
+        }
+        if (collection === 'days' && DATE_KEY_PATTERN.test(id || '') && segments.length === 2) {
+            const stored = readJSONFile(dayFile(id));
+            if (request.method === 'GET') {
+                return stored ? { status: 200, body: stored } : { status: 404, body: { error: 'No such day.' } };
+            }
+            if (request.method === 'PUT') {
+                const { baseRevision, record } = await readBody(request);
+                if (!record || typeof record !== 'object' || !record.regions) return { status: 400, body: { error: 'Missing day record.' } };
+                const current = readJSONFile(dayFile(id)); // Read again: another request may have written while the body arrived
+                if ((current ? current.revision : 0) !== baseRevision) return { status: 409, body: current || { revision: 0, record: null } };
+                const revision = (current ? current.revision : 0) + 1;
+                writeJSONFile(dayFile(id), { revision: revision, record: record });
+                return { status: 200, body: { revision: revision } };
+            }
+        }
+        if (collection === 'templates' && TEMPLATE_ID_PATTERN.test(id || '') && segments.length === 2) {
+            if (request.method === 'GET') {
+                const stored = readJSONFile(templateFile(id));
+                return stored ? { status: 200, body: stored } : { status: 404, body: { error: 'No such template.' } };
+            }
+            if (request.method === 'PUT') {
+                const template = await readBody(request);
+                if (!template || typeof template.svg !== 'string') return { status: 400, body: { error: 'Missing template SVG.' } };
+                // Uploaded template IDs are hashes of their SVG, so an existing one never changes
+                if (!fs.existsSync(templateFile(id))) writeJSONFile(templateFile(id), { id: id, name: String(template.name || id), svg: template.svg });
+                return { status: 200, body: { id: id } };
+            }
+        }
+        return { status: 404, body: { error: 'Not found.' } };
+    }
+
+    return http.createServer(async (request, response) => {
+        const headers = {
+            'Content-Type': 'application/json',
+            // The app is usually served from another origin than its sync server
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+        };
+        let result;
+        if (request.method === 'OPTIONS') {
+            result = { status: 204, body: null };
+        } else if (token && request.headers.authorization !== `Bearer ${token}`) {
+            result = { status: 401, body: { error: 'Missing or wrong access token.' } };
+        } else {
+            try {
+                const segments = new URL(request.url, 'http://localhost').pathname.split('/').filter(Boolean);
+                result = await handle(request, segments);
+            } catch (e) {
+                if (!e.status) console.error(`${request.method} ${request.url}:`, e);
+                result = { status: e.status || 500, body: { error: e.status ? e.message : 'Internal error.' } };
+            }
+        }
+        response.writeHead(result.status, headers);
+        response.end(result.body === null ? undefined : JSON.stringify(result.body));
+    });
+}
+
+/**
+ * Reads "--name value" options from the command line.
+ * @param {string[]} args - The arguments after the script name.
+ * @returns {Object<string, string>} The options.
+ */
+function parseArguments(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i += 2) {
+        if (args[i].startsWith('--')) options[args[i].slice(2)] = args[i + 1];
+    }
+    return options;
+}
+
+if (require.main === module) {
+    const options = parseArguments(process.argv.slice(2));
+    const port = Number(options.port || process.env.PORT || DEFAULT_PORT);
+    const dataDir = path.resolve(options.data || DEFAULT_DATA_DIR);
+    createSyncServer({ dataDir: dataDir, token: process.env.SYNC_TOKEN }).listen(port, () => {
+        console.log(`Journal sync server on http://localhost:${port}/, storing data in ${dataDir}`);
+    });
+}
+
+module.exports = { createSyncServer };
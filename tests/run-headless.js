@@ -0,0 +1,157 @@
+// Headless test runner: loads index.html and script.js into jsdom with Paper.js running
+// in Node, opens the app in test mode ("?test=1") and reports the built-in test suite's
+// results. The suite runs once per storage backend: IndexedDB (fake-indexeddb) and the
+// localStorage fallback. Each run gets its own reference sync server (sync-server.js) with
+// empty storage, for the sync tests.
+//
+// Usage: npm test
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { IDBFactory } = require('fake-indexeddb');
+const { createSyncServer } = require('../sync-server');
+
+const ROOT = path.resolve(__dirname, '..');
+const TIMEOUT = 60 * 1000; // ms to wait for the suite to finish
+const CONTAINER_SIZE = { width: 1024, height: 768 }; // jsdom does no layout, so #app-container is given a size
+
+/**
+ * Forwards the page's console to Node, dropping the "%c" CSS styling used for the browser console.
+ * @returns {VirtualConsole} The console for the JSDOM instance.
+ */
+function createConsole() {
+    const virtualConsole = new VirtualConsole();
+    ['log', 'info', 'warn', 'error'].forEach(method => {
+        virtualConsole.on(method, (message, ...args) => {
+            if (typeof message === 'string' && message.includes('%c')) {
+                const styleCount = message.split('%c').length - 1;
+                message = message.replace(/%c/g, '');
+                args = args.slice(styleCount);
+            }
+            // Expected errors are logged by some tests; their stack traces would only add noise.
+            console[method](message, ...args.map(arg => arg instanceof Error ? `${arg.name}: ${arg.message}` : arg));
+        });
+    });
+    virtualConsole.on('jsdomError', error => console.error('jsdom:', error.message));
+    return virtualConsole;
+}
+
+/**
+ * Serves fetch() requests for the app's own files (templates) from the repository. Requests to
+ * other hosts (the sync server) go out through Node's fetch.
+ * @param {string} url - The requested URL, relative to index.html.
+ * @param {Object} [options] - fetch() options.
+ * @returns {Promise<Response>} The file, or a 404 response.
+ */
+async function fetchLocalFile(url, options) {
+    if (new URL(url, 'http://localhost/').host !== 'localhost') return fetch(url, options);
+    const filePath = path.join(ROOT, decodeURIComponent(new URL(url, 'http://localhost/').pathname));
+    if (!filePath.startsWith(ROOT) || !fs.existsSync(filePath)) {
+        return new Response('Not found', { status: 404 });
+    }
+    return new Response(fs.readFileSync(filePath));
+}
+
+/**
+ * Starts a sync server on a free port with its own temporary storage.
+ * @returns {Promise<{url: string, close: Function}>} Its address, and a function that stops it and deletes its data.
+ */
+function startSyncServer() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mood-journal-sync-'));
+    const server = createSyncServer({ dataDir: dataDir });
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            url: `http://127.0.0.1:${server.address().port}`,
+            close: () => new Promise(done => {
+                server.closeAllConnections(); // fetch() keeps connections alive
+                server.close(() => {
+                    fs.rmSync(dataDir, { recursive: true, force: true });
+                    done();
+                });
+            })
+        }));
+    });
+}
+
+/**
+ * Loads the app in test mode and waits for the test suite.
+ * @param {string} backend - 'indexedDB' or 'localStorage'.
+ * @param {string} syncEndpoint - Address of an empty sync server.
+ * @returns {Promise<{passed: number, failed: number}>} The totals reported by the app.
+ */
+function runSuite(backend, syncEndpoint) {
+    // Paper.js keeps global state, so each run gets a fresh copy of the module.
+    Object.keys(require.cache)
+        .filter(modulePath => modulePath.includes(`${path.sep}paper${path.sep}`))
+        .forEach(modulePath => delete require.cache[modulePath]);
+    const paper = require('paper'); // Node build: geometry, SVG import/export and JSON, no canvas rendering
+
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const dom = new JSDOM(html, {
+        url: `http://localhost/index.html?test=1&syncEndpoint=${encodeURIComponent(syncEndpoint)}`,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole: createConsole()
+    });
+    const { window } = dom;
+
+    const appContainer = window.document.getElementById('app-container');
+    Object.defineProperty(appContainer, 'clientWidth', { value: CONTAINER_SIZE.width });
+    Object.defineProperty(appContainer, 'clientHeight', { value: CONTAINER_SIZE.height });
+    window.fetch = fetchLocalFile;
+    // Missing from jsdom 16: text encoding (PNG text chunks, encryption) and WebCrypto (passcode lock)
+    window.TextEncoder = TextEncoder;
+    window.TextDecoder = TextDecoder;
+    window.crypto = crypto;
+    // A real (non-test) entry for today, which test mode must leave alone
+    const now = new Date();
+    const todayKey = [now.getFullYear(), now.getMonth() + 1, now.getDate()]
+        .map(part => String(part).padStart(2, '0')).join('-');
+    const userEntry = { key: `moodJournalDrawings-${todayKey}`, value: '{"version":3,"templateId":"template0.svg","regions":{}}' };
+    window.localStorage.setItem(userEntry.key, userEntry.value);
+    if (backend === 'indexedDB') {
+        window.indexedDB = new IDBFactory();
+    }
+
+    // What the <script> tags do in the browser: load the vendored Pickr, set up Paper.js for the
+    // canvas (as PaperScript does), then run script.js.
+    window.eval(fs.readFileSync(path.join(ROOT, 'vendor', 'pickr.min.js'), 'utf8'));
+    paper.setup(new paper.Size(CONTAINER_SIZE.width, CONTAINER_SIZE.height));
+    window.paper = paper;
+    window.eval(fs.readFileSync(path.join(ROOT, 'script.js'), 'utf8'));
+
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Timed out after ${TIMEOUT / 1000}s`)), TIMEOUT);
+        window.addEventListener('moodjournal:testscomplete', event => {
+            clearTimeout(timer);
+            const userEntryKept = window.localStorage.getItem(userEntry.key) === userEntry.value;
+            if (!userEntryKept) console.error(`FAIL: test mode changed the user's entry ${userEntry.key}.`);
+            resolve({ passed: event.detail.passed, failed: event.detail.failed + (userEntryKept ? 0 : 1) });
+            window.close();
+        });
+        if (window.document.readyState === 'complete') window.onload(); // Otherwise jsdom's load event runs it
+    });
+}
+
+async function main() {
+    let failed = 0;
+    for (const backend of ['indexedDB', 'localStorage']) {
+        console.log(`\n--- Storage backend: ${backend} ---`);
+        const syncServer = await startSyncServer();
+        try {
+            const results = await runSuite(backend, syncServer.url);
+            console.log(`${backend}: ${results.passed} passed, ${results.failed} failed.`);
+            failed += results.failed;
+        } catch (e) {
+            console.error(`${backend}: the test suite did not complete:`, e);
+            failed++;
+        } finally {
+            await syncServer.close();
+        }
+    }
+    process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main();